@@ -3,46 +3,106 @@ import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
 import getAvailableProducts from '@salesforce/apex/AvailableProductsController.getAvailableProducts';
 import addProductsToOrderWithQuantities from '@salesforce/apex/AvailableProductsController.addProductsToOrderWithQuantities';
+import getOrderTemplates from '@salesforce/apex/AvailableProductsController.getOrderTemplates';
+import previewOrderTemplate from '@salesforce/apex/AvailableProductsController.previewOrderTemplate';
+import applyOrderTemplate from '@salesforce/apex/AvailableProductsController.applyOrderTemplate';
+import previewOrderImport from '@salesforce/apex/AvailableProductsController.previewOrderImport';
+import importOrderLines from '@salesforce/apex/AvailableProductsController.importOrderLines';
+
+const DEFAULT_QUANTITY = 1;
+const SEARCH_DEBOUNCE_MS = 300;
+// Tree-grid cells render plain text, so a match highlights the whole cell.
+const SEARCH_MATCH_CLASS = 'slds-theme_shade slds-text-title_bold';
+const SEARCHABLE_FIELDS = ['label', 'metatext', 'description'];
+// Keeps the file well below the Apex heap limit; the server also caps the number of rows.
+const MAX_IMPORT_FILE_BYTES = 1024 * 1024;
+const IMPORT_STATUS_LABELS = {
+    MATCHED: 'Will be added',
+    UNMATCHED: 'Not found',
+    DUPLICATE: 'Duplicate',
+    INVALID_QUANTITY: 'Invalid quantity',
+    RULE_VIOLATION: 'Breaks selection rule'
+};
+
+function containsTerm(value, term) {
+    return typeof value === 'string' && value.toLowerCase().includes(term);
+}
+
+// Rows keyed parent_ group children of a parent the server did not send a product id for.
+function isSelectableRow(row) {
+    const productId = row.productId || row.id;
+    return !!productId && !String(productId).startsWith('parent_');
+}
+
+function highlightRow(row, term) {
+    const highlighted = { ...row };
+    let matched = false;
+    SEARCHABLE_FIELDS.forEach(field => {
+        const isMatch = containsTerm(row[field], term);
+        highlighted[`${field}Class`] = isMatch ? SEARCH_MATCH_CLASS : '';
+        matched = matched || isMatch;
+    });
+    return { row: highlighted, matched };
+}
 
 export default class AvailableProducts extends LightningElement {
     @api recordId;
-    @api isOrderActivated = false;
+    @api isOrderLocked = false; // activated or pending approval
     @track products = [];
     @track isLoading = false;
     @track error;
     @track showSuccessMessage = false;
     @track showProductTable = false;
     @track selectedProducts = [];
+    @track productQuantities = {};
     @track isAddingProducts = false;
     @track expandedRows = [];
     @track searchTerm = '';
+    @track searchInput = '';
     @track isSearching = false;
+    @track showTemplateModal = false;
+    @track orderTemplates = [];
+    @track selectedTemplateId;
+    @track templatePreview;
+    @track isLoadingTemplate = false;
+    @track isApplyingTemplate = false;
+    @track showImportModal = false;
+    @track importFileName;
+    @track importCsv;
+    @track importPreview;
+    @track isLoadingImport = false;
+    @track isImporting = false;
 
     wiredProductsResult;
+    searchTimeout;
 
+    // lightning-tree-grid has no inline editing (unlike lightning-datatable it takes no editable columns,
+    // draft values or custom cell types), so the quantity of each selected product is typed into the
+    // table under the grid and shown back in the Quantity to Add column of its row.
     productColumns = [
         {
             label: 'Product Name',
             fieldName: 'label',
             type: 'text',
-            cellAttributes: { alignment: 'left' }
+            cellAttributes: { alignment: 'left', class: { fieldName: 'labelClass' } }
         },
         {
             label: 'Product Code',
             fieldName: 'metatext',
             type: 'text',
-            cellAttributes: { alignment: 'left' }
+            cellAttributes: { alignment: 'left', class: { fieldName: 'metatextClass' } }
         },
         {
             label: 'Description',
             fieldName: 'description',
             type: 'text',
-            cellAttributes: { alignment: 'left' }
+            cellAttributes: { alignment: 'left', class: { fieldName: 'descriptionClass' } }
         },
         {
             label: 'List Price',
             fieldName: 'listPrice',
             type: 'currency',
+            typeAttributes: { currencyCode: { fieldName: 'currencyCode' }, currencyDisplayAs: 'code' },
             cellAttributes: { alignment: 'right' }
         },
         {
@@ -50,13 +110,50 @@ export default class AvailableProducts extends LightningElement {
             fieldName: 'quantityInOrder',
             type: 'number',
             cellAttributes: { alignment: 'right' }
+        },
+        {
+            label: 'Available',
+            fieldName: 'availableQuantity',
+            type: 'number',
+            cellAttributes: {
+                alignment: 'right',
+                class: { fieldName: 'availableClass' },
+                iconName: { fieldName: 'availableIcon' },
+                iconPosition: 'left'
+            }
+        },
+        {
+            label: 'Selection Rule',
+            fieldName: 'selectionRule',
+            type: 'text',
+            cellAttributes: { alignment: 'left' }
+        },
+        {
+            label: 'Quantity to Add',
+            fieldName: 'quantityToAdd',
+            type: 'number',
+            cellAttributes: { alignment: 'right', class: { fieldName: 'quantityToAddClass' } }
         }
     ];
 
+    importColumns = [
+        { label: 'Row', fieldName: 'rowNumber', type: 'number', initialWidth: 70 },
+        { label: 'Product Code', fieldName: 'productCode', type: 'text' },
+        { label: 'Product Name', fieldName: 'displayName', type: 'text' },
+        { label: 'Quantity', fieldName: 'quantityText', type: 'text', initialWidth: 100 },
+        {
+            label: 'Status',
+            fieldName: 'statusLabel',
+            type: 'text',
+            cellAttributes: { class: { fieldName: 'statusClass' } }
+        },
+        { label: 'Details', fieldName: 'message', type: 'text', wrapText: true }
+    ];
+
+    // Search runs on the loaded tree, so the wire only depends on the order.
     get requestParams() {
         return {
-            orderId: this.recordId,
-            parentName: this.searchTerm && this.searchTerm.trim().length > 0 ? this.searchTerm.trim() : null
+            orderId: this.recordId
         };
     }
 
@@ -96,12 +193,15 @@ export default class AvailableProducts extends LightningElement {
 
     get availableProducts() {
         try {
-            if (!this.treeData || !Array.isArray(this.treeData)) {
+            if (!this.allTreeData || !Array.isArray(this.allTreeData)) {
                 return [];
             }
             
             const allProducts = [];
-            this.treeData.forEach(parent => {
+            this.allTreeData.forEach(parent => {
+                if (parent && isSelectableRow(parent)) {
+                    allProducts.push(parent);
+                }
                 if (parent && parent._children && Array.isArray(parent._children)) {
                     allProducts.push(...parent._children);
                 }
@@ -119,7 +219,7 @@ export default class AvailableProducts extends LightningElement {
         return products && Array.isArray(products) ? products.length : 0;
     }
 
-    get treeData() {
+    get allTreeData() {
         try {
             if (!this.products || !Array.isArray(this.products) || this.products.length === 0) {
                 return [];
@@ -132,14 +232,25 @@ export default class AvailableProducts extends LightningElement {
                         const parentName = parent?.name || parent?.label || 'parent';
                         const parentKey = `parent_${parentIndex}_${parentName}`;
                         
+                        // Parents are products too: selecting one adds the parent itself,
+                        // which is what makes its rule's minimum apply.
                         const parentNode = {
                             name: parentName,
                             label: parent?.label || parentName,
-                            productId: parentKey,
-                            metatext: '',
-                            listPrice: null,
-                            quantityInOrder: null,
-                            description: '',
+                            productId: parent?.productId || parent?.id || parentKey,
+                            metatext: parent?.metatext || parent?.productCode || '',
+                            listPrice: parent?.listPrice ?? null,
+                            currencyCode: parent?.currencyCode,
+                            quantityInOrder: parent?.quantityInOrder || 0,
+                            availableQuantity: parent?.availableQuantity ?? null,
+                            isLowStock: parent?.isLowStock === true,
+                            availableClass: parent?.isLowStock ? 'slds-text-color_error' : '',
+                            availableIcon: parent?.isLowStock ? 'utility:warning' : null,
+                            isInOrder: parent?.isInOrder === true,
+                            description: parent?.description || '',
+                            selectionRule: parent?.selectionRule || '',
+                            minChildSelections: parent?.minChildSelections || 0,
+                            maxChildSelections: parent?.maxChildSelections ?? null,
                             _children: []
                         };
                         
@@ -152,7 +263,14 @@ export default class AvailableProducts extends LightningElement {
                                     productId: child?.productId || child?.id || '',
                                     metatext: child?.metatext || child?.productCode || '',
                                     listPrice: child?.listPrice || 0,
+                                    currencyCode: child?.currencyCode,
                                     quantityInOrder: child?.quantityInOrder || 0,
+                                    // Untracked products have no available quantity and are never low on stock
+                                    availableQuantity: child?.availableQuantity ?? null,
+                                    isLowStock: child?.isLowStock === true,
+                                    availableClass: child?.isLowStock ? 'slds-text-color_error' : '',
+                                    availableIcon: child?.isLowStock ? 'utility:warning' : null,
+                                    isInOrder: child?.isInOrder === true,
                                     description: child?.description || ''
                                 }))
                                 .filter(child => child.productId);
@@ -168,21 +286,168 @@ export default class AvailableProducts extends LightningElement {
             
             return treeNodes;
         } catch (error) {
-            console.error('Error in treeData getter:', error);
+            console.error('Error in allTreeData getter:', error);
             return [];
         }
     }
+
+    // Prices are read in the order currency, so every loaded product carries the same code.
+    get currencyCode() {
+        const priced = (this.products || []).find(product => product && product.currencyCode);
+        return priced ? priced.currencyCode : undefined;
+    }
+
+    get normalizedSearchTerm() {
+        return this.searchTerm ? this.searchTerm.trim().toLowerCase() : '';
+    }
+
+    get treeData() {
+        const term = this.normalizedSearchTerm;
+        const parents = term ? this.filterTree(this.allTreeData, term) : this.allTreeData;
+        return this.withQuantitiesToAdd(parents);
+    }
+
+    // Shows the entered quantity on each selected row; quantities that will be rejected are marked.
+    withQuantitiesToAdd(parents) {
+        const selectedIds = new Set(this.selectedProductIds);
+        if (selectedIds.size === 0) {
+            return parents;
+        }
+        const withQuantity = row => {
+            if (!selectedIds.has(row.productId)) {
+                return row;
+            }
+            const quantity = this.parseQuantity(this.getQuantityForProduct(row.productId));
+            return {
+                ...row,
+                quantityToAdd: quantity,
+                quantityToAddClass: quantity === null ? 'slds-text-color_error' : ''
+            };
+        };
+        return parents.map(parent => ({
+            ...withQuantity(parent),
+            _children: (parent._children || []).map(withQuantity)
+        }));
+    }
+
+    // A matching parent keeps all of its children; otherwise only matching children are kept.
+    // Parents with matching children are flagged so they can be expanded.
+    filterTree(parents, term) {
+        const results = [];
+        parents.forEach(parent => {
+            const parentResult = highlightRow(parent, term);
+            const childResults = (parent._children || []).map(child => highlightRow(child, term));
+            const matchingChildren = childResults.filter(result => result.matched).map(result => result.row);
+            if (!parentResult.matched && matchingChildren.length === 0) {
+                return;
+            }
+            results.push({
+                ...parentResult.row,
+                hasMatchingChildren: matchingChildren.length > 0,
+                _children: parentResult.matched ? childResults.map(result => result.row) : matchingChildren
+            });
+        });
+        return results;
+    }
     
     get hasSearchTerm() {
-        return this.searchTerm && this.searchTerm.trim().length > 0;
+        return this.normalizedSearchTerm.length > 0;
     }
     
     get filteredTreeDataCount() {
         return this.treeData ? this.treeData.length : 0;
     }
 
+    get visibleChildCount() {
+        return (this.treeData || []).reduce((count, parent) => count + (parent._children || []).length, 0);
+    }
+
+    get visibleProductIds() {
+        const visibleIds = new Set();
+        (this.treeData || []).forEach(parent => {
+            if (isSelectableRow(parent)) {
+                visibleIds.add(parent.productId);
+            }
+            (parent._children || []).forEach(child => visibleIds.add(child.productId));
+        });
+        return visibleIds;
+    }
+
     get isAddProductDisabled() {
-        return this.isLoading || this.isOrderActivated;
+        return this.isLoading || this.isOrderLocked;
+    }
+
+    get templateOptions() {
+        return this.orderTemplates.map(template => ({
+            label: template.Line_Count__c ? `${template.Name} (${template.Line_Count__c} products)` : template.Name,
+            value: template.Id
+        }));
+    }
+
+    get hasOrderTemplates() {
+        return this.orderTemplates.length > 0;
+    }
+
+    get templatePreviewLines() {
+        const lines = this.templatePreview ? this.templatePreview.lines : [];
+        return lines.map(line => ({
+            ...line,
+            rowClass: line.isPriced ? '' : 'unpriced-line',
+            status: line.isPriced ? 'Will be added' : 'Not in pricebook'
+        }));
+    }
+
+    get hasTemplatePreview() {
+        return !!this.templatePreview;
+    }
+
+    get hasUnpricedTemplateLines() {
+        return !!this.templatePreview && this.templatePreview.unpricedCount > 0;
+    }
+
+    get templatePreviewSummary() {
+        if (!this.templatePreview) {
+            return '';
+        }
+        const { pricedCount, unpricedCount } = this.templatePreview;
+        return `${pricedCount} product(s) will be added. ${unpricedCount} product(s) have no price in this order's pricebook and will be skipped.`;
+    }
+
+    get isApplyTemplateDisabled() {
+        return !this.templatePreview || this.templatePreview.pricedCount === 0
+            || this.isLoadingTemplate || this.isApplyingTemplate;
+    }
+
+    get importPreviewRows() {
+        const rows = this.importPreview ? this.importPreview.rows : [];
+        return rows.map(row => ({
+            ...row,
+            displayName: row.matchedProductName || row.productName,
+            statusLabel: IMPORT_STATUS_LABELS[row.status] || row.status,
+            statusClass: row.status === 'MATCHED' ? 'slds-text-color_success' : 'slds-text-color_error'
+        }));
+    }
+
+    get hasImportPreview() {
+        return !!this.importPreview;
+    }
+
+    get importPreviewSummary() {
+        if (!this.importPreview) {
+            return '';
+        }
+        const { matchedCount, unmatchedCount, duplicateCount, invalidQuantityCount, ruleViolationCount } = this.importPreview;
+        return `${matchedCount} row(s) will be added. Skipped: ${unmatchedCount} not found, ${duplicateCount} duplicate, `
+            + `${invalidQuantityCount} invalid quantity, ${ruleViolationCount} breaking a selection rule.`;
+    }
+
+    get importButtonLabel() {
+        return this.importPreview ? `Import ${this.importPreview.matchedCount} Row(s)` : 'Import';
+    }
+
+    get isImportDisabled() {
+        return !this.importPreview || this.importPreview.matchedCount === 0
+            || this.isLoadingImport || this.isImporting;
     }
 
     get selectedProductIds() {
@@ -197,6 +462,43 @@ export default class AvailableProducts extends LightningElement {
         return this.selectedProducts ? this.selectedProducts.length : 0;
     }
 
+    get selectedProductsWithQuantities() {
+        // Stock comes from the loaded tree, so it stays current after the products are refreshed.
+        const rowsById = new Map(this.availableProducts.map(row => [row.productId, row]));
+        return (this.selectedProducts || [])
+            .map(product => {
+                const productId = product.productId || product.id;
+                const row = rowsById.get(productId) || product;
+                const available = row.availableQuantity ?? null;
+                const maxQuantity = available === null ? null : Math.max(available - (row.quantityInOrder || 0), 0);
+                return {
+                    productId: productId,
+                    label: product.label || product.name || '',
+                    metatext: product.metatext || '',
+                    listPrice: product.listPrice || 0,
+                    quantity: this.getQuantityForProduct(productId),
+                    available: available,
+                    availableClass: row.isLowStock ? 'slds-text-color_error' : '',
+                    maxQuantity: maxQuantity,
+                    maxQuantityMessage: maxQuantity === null ? null : `Only ${maxQuantity} more in stock`
+                };
+            })
+            .filter(product => product.productId);
+    }
+
+    getQuantityForProduct(productId) {
+        const quantity = this.productQuantities[productId];
+        return quantity === undefined || quantity === null ? DEFAULT_QUANTITY : quantity;
+    }
+
+    parseQuantity(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const quantity = Number(value);
+        return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+    }
+
     get errorMessage() {
         if (this.error) {
             return this.error.body?.message || this.error.message || 'An error occurred';
@@ -206,41 +508,92 @@ export default class AvailableProducts extends LightningElement {
 
     updateExpandedRows() {
         try {
-            this.expandedRows = [];
+            this.expandedRows = this.hasSearchTerm
+                ? this.treeData.filter(parent => parent.hasMatchingChildren).map(parent => parent.productId)
+                : [];
         } catch (error) {
             console.error('Error updating expanded rows:', error);
             this.expandedRows = [];
         }
     }
 
+    disconnectedCallback() {
+        clearTimeout(this.searchTimeout);
+    }
+
     handleShowProductTable() {
         this.showProductTable = true;
         this.selectedProducts = [];
-        this.searchTerm = '';
+        this.productQuantities = {};
+        this.clearSearch();
         this.updateExpandedRows();
     }
     
-    async handleSearchChange(event) {
-        this.searchTerm = event.target.value || '';
+    handleSearchChange(event) {
+        this.searchInput = event.target.value || '';
         this.isSearching = true;
-        if (this.wiredProductsResult) {
-            try {
-                await refreshApex(this.wiredProductsResult);
-            } catch (error) {
-                console.error('Error refreshing products:', error);
-            } finally {
-                this.isSearching = false;
-            }
-        } else {
-            this.isSearching = false;
-        }
+        clearTimeout(this.searchTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.searchTimeout = setTimeout(() => {
+            this.applySearch(this.searchInput);
+        }, SEARCH_DEBOUNCE_MS);
+    }
+
+    applySearch(value) {
+        this.searchTimeout = null;
+        this.searchTerm = value;
+        this.isSearching = false;
         this.updateExpandedRows();
+        // Rows hidden by the search drop out of the grid selection; re-apply the full selection.
+        this.updateTreeGridSelection();
+    }
+
+    clearSearch() {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = null;
+        this.searchInput = '';
+        this.searchTerm = '';
+        this.isSearching = false;
     }
 
     handleCloseProductTable() {
         this.showProductTable = false;
         this.selectedProducts = [];
-        this.searchTerm = '';
+        this.productQuantities = {};
+        this.clearSearch();
+    }
+
+    handleQuantityChange(event) {
+        const productId = event.target.dataset.productId;
+        if (!productId) {
+            return;
+        }
+        // Keep the raw value so the input shows exactly what was typed;
+        // it is validated and converted when the products are added.
+        this.productQuantities = {
+            ...this.productQuantities,
+            [productId]: event.target.value
+        };
+    }
+
+    pruneProductQuantities(selection) {
+        const selectedIds = new Set(selection.map(product => product.productId || product.id));
+        const retained = {};
+        Object.keys(this.productQuantities).forEach(productId => {
+            if (selectedIds.has(productId)) {
+                retained[productId] = this.productQuantities[productId];
+            }
+        });
+        this.productQuantities = retained;
+    }
+
+    validateQuantities() {
+        const inputs = [...this.template.querySelectorAll('lightning-input[data-product-id]')];
+        const inputsValid = inputs.reduce((valid, input) => input.reportValidity() && valid, true);
+        const valuesValid = this.selectedProductsWithQuantities.every(
+            product => this.parseQuantity(product.quantity) !== null
+        );
+        return inputsValid && valuesValid;
     }
 
     handleProductSelection(event) {
@@ -261,10 +614,7 @@ export default class AvailableProducts extends LightningElement {
             return;
         }
         
-        const childProducts = selectedRows.filter(row => {
-            const productId = row.productId || row.id;
-            return productId && !String(productId).startsWith('parent_');
-        });
+        const childProducts = selectedRows.filter(isSelectableRow);
         const previousSelectionMap = new Map();
         previousValidSelection.forEach(product => {
             const productId = product.productId || product.id;
@@ -286,8 +636,10 @@ export default class AvailableProducts extends LightningElement {
         if (normalizedAction === 'rowdeselect') {
             let deselectedProductId = event?.detail?.config?.value;
             if (!deselectedProductId) {
+                // Products hidden by the search are never in the event, so only visible rows can be deselected.
+                const visibleProductIds = this.visibleProductIds;
                 previousSelectionMap.forEach((value, productId) => {
-                    if (!eventSelectionMap.has(productId) && !deselectedProductId) {
+                    if (visibleProductIds.has(productId) && !eventSelectionMap.has(productId) && !deselectedProductId) {
                         deselectedProductId = productId;
                     }
                 });
@@ -297,12 +649,9 @@ export default class AvailableProducts extends LightningElement {
             }
         }
         const resolvedSelection = Array.from(combinedSelectionMap.values());
-        if (this.hasMultipleChildrenFromSameParent(resolvedSelection)) {
-            this.showToast(
-                'Error', 
-                'You can select only one child product per parent. Please deselect one of the products from the same parent.', 
-                'error'
-            );
+        const violation = this.findSelectionRuleViolation(resolvedSelection);
+        if (violation) {
+            this.showToast('Error', violation, 'error');
             
             this.selectedProducts = previousValidSelection;
             
@@ -312,65 +661,48 @@ export default class AvailableProducts extends LightningElement {
             });
         } else {
             this.selectedProducts = resolvedSelection;
+            this.pruneProductQuantities(resolvedSelection);
         }
     }
     
-    buildChildToParentMap() {
-        const childToParentMap = new Map();
-        
-        if (!this.treeData || !Array.isArray(this.treeData)) {
-            return childToParentMap;
+    // Mirrors the server-side child selection check: children already on the order count
+    // towards a parent's rule. Maximums are checked for parents with a selected child as the
+    // selection changes; minimums apply to selected parents, so they are checked only when the
+    // products are added, once the user has had the chance to select the children as well.
+    findSelectionRuleViolation(selection, checkMinimums = false) {
+        const selectedIds = new Set(
+            (selection || []).map(product => product.productId || product.id).filter(id => id)
+        );
+        if (selectedIds.size === 0) {
+            return null;
         }
         
-        this.treeData.forEach(parent => {
-            if (parent && parent._children && Array.isArray(parent._children)) {
-                parent._children.forEach(child => {
-                    if (child && child.productId) {
-                        childToParentMap.set(child.productId, parent.productId);
-                    }
-                });
+        for (const parent of this.allTreeData) {
+            const children = parent._children || [];
+            const childCount = children.filter(child => child.isInOrder || selectedIds.has(child.productId)).length;
+            const hasSelectedChild = children.some(child => selectedIds.has(child.productId));
+            if (parent.maxChildSelections !== null && hasSelectedChild && childCount > parent.maxChildSelections) {
+                return `${parent.label} allows at most ${parent.maxChildSelections} child product(s), including those already on the order. Please deselect one of its products.`;
             }
-        });
-        
-        return childToParentMap;
-    }
-    
-    groupByParent(childIds, childToParentMap) {
-        const grouped = new Map();
-        
-        childIds.forEach(childId => {
-            const parentId = childToParentMap.get(childId);
-            if (parentId) {
-                if (!grouped.has(parentId)) {
-                    grouped.set(parentId, []);
-                }
-                grouped.get(parentId).push(childId);
+            // A parent already on the order only gets a higher quantity, so its rule is not checked again here.
+            const addsParent = selectedIds.has(parent.productId) && !parent.isInOrder;
+            if (checkMinimums && addsParent && childCount < parent.minChildSelections) {
+                return `${parent.label} requires at least ${parent.minChildSelections} child product(s) on the order. Please select one of its products as well.`;
             }
-        });
-        
-        return grouped;
+        }
+        return null;
     }
     
-    hasMultipleChildrenFromSameParent(childProducts) {
-        if (!childProducts || childProducts.length <= 1) {
-            return false;
-        }
-        
-        const childToParentMap = this.buildChildToParentMap();
-        if (childToParentMap.size === 0) {
-            return false;
-        }
-        
-        const childIds = childProducts.map(child => child.productId || child.id).filter(id => id);
-        const groupedByParent = this.groupByParent(childIds, childToParentMap);
-        
-        for (const children of groupedByParent.values()) {
-            if (children.length > 1) {
-                return true;
-            }
-        }
-        
-        return false;
+    // Mirrors the server-side stock check: the quantity already on the order and the quantity
+    // being added together may not exceed what is available.
+    findStockShortage() {
+        const shortages = this.selectedProductsWithQuantities
+            .filter(product => {
+                const quantity = this.parseQuantity(product.quantity);
+                return quantity !== null && product.maxQuantity !== null && quantity > product.maxQuantity;
+            })
+            .map(product => `${product.label}: only ${product.maxQuantity} more in stock`);
+        return shortages.length > 0 ? `Not enough stock. ${shortages.join('; ')}` : null;
     }
     
     updateTreeGridSelection() {
@@ -389,7 +721,25 @@ export default class AvailableProducts extends LightningElement {
 
     async handleAddSelectedProducts() {
         if (!this.selectedProducts || !Array.isArray(this.selectedProducts) || this.selectedProducts.length === 0) {
-            this.showToast('Warning', 'Please select at least one child product to add', 'warning');
+            this.showToast('Warning', 'Please select at least one product to add', 'warning');
+            return;
+        }
+
+        const ruleViolation = this.findSelectionRuleViolation(this.selectedProducts, true);
+        if (ruleViolation) {
+            this.showToast('Error', ruleViolation, 'error');
+            return;
+        }
+
+        const shortage = this.findStockShortage();
+        if (shortage) {
+            this.validateQuantities();
+            this.showToast('Error', shortage, 'error');
+            return;
+        }
+
+        if (!this.validateQuantities()) {
+            this.showToast('Error', 'Enter a whole-number quantity of at least 1 for each selected product', 'error');
             return;
         }
 
@@ -402,7 +752,7 @@ export default class AvailableProducts extends LightningElement {
             this.selectedProducts.forEach(product => {
                 const productId = product.productId || product.id;
                 if (productId) {
-                    qtyMap[productId] = 1;
+                    qtyMap[productId] = this.parseQuantity(this.getQuantityForProduct(productId));
                 }
             });
 
@@ -417,10 +767,13 @@ export default class AvailableProducts extends LightningElement {
                 productIdToQuantity: qtyMap
             };
             
-            await addProductsToOrderWithQuantities({request : request});
+            const result = await addProductsToOrderWithQuantities({request : request});
+            this.notifyLinesSaved(result.savedVersions);
+            
+            const addedProductIds = Object.keys(qtyMap);
             
             this.showSuccessMessage = true;
-            this.showToast('Success', `${this.selectedProducts.length} product(s) added/updated successfully`, 'success');
+            this.showToast('Success', `${addedProductIds.length} product(s) added/updated successfully`, 'success');
             this.handleCloseProductTable();
             
             try {
@@ -433,9 +786,9 @@ export default class AvailableProducts extends LightningElement {
             
             this.dispatchEvent(new CustomEvent('productadded', {
                 detail: { 
-                    productIds: this.selectedProducts.map(p => p.productId || p.id),
-                    quantity: 1,
-                    count: this.selectedProducts.length
+                    productIds: addedProductIds,
+                    quantities: qtyMap,
+                    count: addedProductIds.length
                 }
             }));
             
@@ -445,11 +798,234 @@ export default class AvailableProducts extends LightningElement {
             
         } catch (error) {
             this.showToast('Error', 'Failed to add products to order: ' + (error.body?.message || error.message), 'error');
+            await this.refreshStock();
         } finally {
             this.isAddingProducts = false;
         }
     }
 
+    async handleShowTemplates() {
+        this.selectedTemplateId = undefined;
+        this.templatePreview = undefined;
+        this.showTemplateModal = true;
+        this.isLoadingTemplate = true;
+
+        try {
+            const templates = await getOrderTemplates({ orderId: this.recordId });
+            this.orderTemplates = Array.isArray(templates) ? templates : [];
+        } catch (error) {
+            this.orderTemplates = [];
+            this.showToast('Error', 'Failed to load order templates: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoadingTemplate = false;
+        }
+    }
+
+    handleCloseTemplates() {
+        this.showTemplateModal = false;
+        this.selectedTemplateId = undefined;
+        this.templatePreview = undefined;
+    }
+
+    async handleTemplateChange(event) {
+        const templateId = event.detail.value;
+        this.selectedTemplateId = templateId;
+        this.templatePreview = undefined;
+        this.isLoadingTemplate = true;
+
+        try {
+            const preview = await previewOrderTemplate({ orderId: this.recordId, templateId: templateId });
+            // Ignore previews for a template the user has already moved away from.
+            if (this.selectedTemplateId === templateId) {
+                this.templatePreview = preview;
+            }
+        } catch (error) {
+            this.showToast('Error', 'Failed to preview template: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoadingTemplate = false;
+        }
+    }
+
+    async handleApplyTemplate() {
+        if (this.isApplyTemplateDisabled) {
+            return;
+        }
+
+        this.isApplyingTemplate = true;
+        this.showSuccessMessage = false;
+
+        try {
+            const qtyMap = {};
+            this.templatePreview.lines
+                .filter(line => line.isPriced)
+                .forEach(line => {
+                    qtyMap[line.productId] = line.quantity;
+                });
+
+            const result = await applyOrderTemplate({ orderId: this.recordId, templateId: this.selectedTemplateId });
+            this.notifyLinesSaved(result.savedVersions);
+            const addedProductIds = Object.keys(qtyMap);
+
+            this.showSuccessMessage = true;
+            this.showToast('Success', result.message, 'success');
+            this.handleCloseTemplates();
+
+            try {
+                if (this.wiredProductsResult) {
+                    await refreshApex(this.wiredProductsResult);
+                }
+            } catch (refreshError) {
+                console.error('Error refreshing data:', refreshError);
+            }
+
+            this.dispatchEvent(new CustomEvent('productadded', {
+                detail: {
+                    productIds: addedProductIds,
+                    quantities: qtyMap,
+                    count: addedProductIds.length
+                }
+            }));
+
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            setTimeout(() => {
+                this.showSuccessMessage = false;
+            }, 3000);
+        } catch (error) {
+            this.showToast('Error', 'Failed to apply template: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isApplyingTemplate = false;
+        }
+    }
+
+    handleShowImport() {
+        this.resetImport();
+        this.showImportModal = true;
+    }
+
+    handleCloseImport() {
+        this.showImportModal = false;
+        this.resetImport();
+    }
+
+    resetImport() {
+        this.importFileName = undefined;
+        this.importCsv = undefined;
+        this.importPreview = undefined;
+    }
+
+    handleImportFileChange(event) {
+        const file = event.target.files && event.target.files[0];
+        this.resetImport();
+        if (!file) {
+            return;
+        }
+        if (file.size > MAX_IMPORT_FILE_BYTES) {
+            this.showToast('Error', 'CSV files must be smaller than 1 MB', 'error');
+            return;
+        }
+
+        this.importFileName = file.name;
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.previewImport(file.name, reader.result);
+        };
+        reader.onerror = () => {
+            this.showToast('Error', 'Failed to read ' + file.name, 'error');
+        };
+        reader.readAsText(file);
+    }
+
+    async previewImport(fileName, csv) {
+        this.isLoadingImport = true;
+
+        try {
+            const preview = await previewOrderImport({ orderId: this.recordId, csvContent: csv });
+            // Ignore previews for a file the user has already replaced.
+            if (this.importFileName === fileName) {
+                this.importCsv = csv;
+                this.importPreview = preview;
+            }
+        } catch (error) {
+            this.showToast('Error', 'Failed to read CSV file: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoadingImport = false;
+        }
+    }
+
+    async handleImport() {
+        if (this.isImportDisabled) {
+            return;
+        }
+
+        this.isImporting = true;
+        this.showSuccessMessage = false;
+
+        try {
+            const summary = await importOrderLines({ orderId: this.recordId, csvContent: this.importCsv });
+            this.notifyLinesSaved(summary.savedVersions);
+            const qtyMap = {};
+            summary.rows
+                .filter(row => row.status === 'MATCHED')
+                .forEach(row => {
+                    qtyMap[row.productId] = row.quantity;
+                });
+            const addedProductIds = Object.keys(qtyMap);
+            const skippedCount = summary.rows.length - addedProductIds.length;
+
+            this.showSuccessMessage = true;
+            this.showToast('Success', `${addedProductIds.length} row(s) imported, ${skippedCount} skipped`, 'success');
+            this.handleCloseImport();
+
+            try {
+                if (this.wiredProductsResult) {
+                    await refreshApex(this.wiredProductsResult);
+                }
+            } catch (refreshError) {
+                console.error('Error refreshing data:', refreshError);
+            }
+
+            this.dispatchEvent(new CustomEvent('productadded', {
+                detail: {
+                    productIds: addedProductIds,
+                    quantities: qtyMap,
+                    count: addedProductIds.length
+                }
+            }));
+
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            setTimeout(() => {
+                this.showSuccessMessage = false;
+            }, 3000);
+        } catch (error) {
+            this.showToast('Error', 'Failed to import CSV file: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isImporting = false;
+        }
+    }
+
+    // Reloads availability after a failed add, e.g. when stock was taken by another order,
+    // and marks the quantities that no longer fit.
+    async refreshStock() {
+        try {
+            if (this.wiredProductsResult) {
+                await refreshApex(this.wiredProductsResult);
+            }
+        } catch (refreshError) {
+            console.error('Error refreshing data:', refreshError);
+        }
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        requestAnimationFrame(() => {
+            this.validateQuantities();
+        });
+    }
+
+    // Tells the page which line versions this save wrote, so it can ignore their change events.
+    notifyLinesSaved(savedVersions) {
+        this.dispatchEvent(new CustomEvent('linessaved', {
+            detail: { savedVersions: savedVersions || {}, deletedIds: [] }
+        }));
+    }
+
     showToast(title, message, variant) {
         const evt = new ShowToastEvent({
             title: title,
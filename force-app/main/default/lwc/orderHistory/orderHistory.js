@@ -0,0 +1,139 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import getOrderHistory from '@salesforce/apex/OrderHistoryController.getOrderHistory';
+
+const ALL = '';
+
+// Icons follow OrderAuditService action values.
+const ACTION_ICONS = {
+    'Line Added': 'utility:add',
+    'Line Changed': 'utility:edit',
+    'Line Removed': 'utility:delete',
+    'Order Activated': 'utility:check'
+};
+
+const ACTIONS = Object.keys(ACTION_ICONS);
+const CHANNELS = ['LWC', 'REST', 'Apex'];
+
+export default class OrderHistory extends LightningElement {
+    @api recordId; // Order ID
+    @track entries = [];
+    @track error;
+    @track actionFilter = ALL;
+    @track channelFilter = ALL;
+    @track userFilter = ALL;
+
+    wiredHistoryResult;
+
+    @wire(getOrderHistory, { orderId: '$recordId' })
+    wiredHistory(result) {
+        this.wiredHistoryResult = result;
+        if (result.data) {
+            this.entries = result.data;
+            this.error = undefined;
+        } else if (result.error) {
+            this.entries = [];
+            this.error = result.error;
+            console.error('Error loading order history:', result.error);
+        }
+    }
+
+    // Called by orderManagement after the order or its lines change.
+    @api
+    refreshData() {
+        return this.wiredHistoryResult ? refreshApex(this.wiredHistoryResult) : Promise.resolve();
+    }
+
+    get errorMessage() {
+        return this.error?.body?.message || this.error?.message || 'Unknown error';
+    }
+
+    get actionOptions() {
+        return [{ label: 'All actions', value: ALL }, ...ACTIONS.map(action => ({ label: action, value: action }))];
+    }
+
+    get channelOptions() {
+        return [{ label: 'All channels', value: ALL }, ...CHANNELS.map(channel => ({ label: channel, value: channel }))];
+    }
+
+    get userOptions() {
+        const namesById = new Map();
+        this.entries.forEach(entry => {
+            if (entry.userId && !namesById.has(entry.userId)) {
+                namesById.set(entry.userId, entry.userName || entry.userId);
+            }
+        });
+        const users = [...namesById.entries()]
+            .map(([value, label]) => ({ label, value }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+        return [{ label: 'All users', value: ALL }, ...users];
+    }
+
+    get filteredEntries() {
+        return this.entries
+            .filter(entry => this.actionFilter === ALL || entry.action === this.actionFilter)
+            .filter(entry => this.channelFilter === ALL || entry.channel === this.channelFilter)
+            .filter(entry => this.userFilter === ALL || entry.userId === this.userFilter)
+            .map(entry => this.toTimelineItem(entry));
+    }
+
+    get hasEntries() {
+        return this.entries.length > 0;
+    }
+
+    get hasFilteredEntries() {
+        return this.filteredEntries.length > 0;
+    }
+
+    get isClearFiltersDisabled() {
+        return this.actionFilter === ALL && this.channelFilter === ALL && this.userFilter === ALL;
+    }
+
+    toTimelineItem(entry) {
+        const isLine = entry.action !== 'Order Activated';
+        const hasPriceChange = entry.unitPriceBefore != null && entry.unitPriceAfter != null
+            && entry.unitPriceBefore !== entry.unitPriceAfter;
+        return {
+            ...entry,
+            iconName: ACTION_ICONS[entry.action] || 'utility:record',
+            title: isLine ? `${entry.action}: ${entry.productName || entry.orderItemId}` : entry.action,
+            author: `${entry.userName || 'Unknown user'} via ${entry.channel}`,
+            isLine,
+            quantityChange: this.formatChange(entry.quantityBefore, entry.quantityAfter),
+            unitPrice: entry.unitPriceAfter != null ? entry.unitPriceAfter : entry.unitPriceBefore,
+            hasPriceChange
+        };
+    }
+
+    formatChange(before, after) {
+        if (before == null) {
+            return String(after);
+        }
+        if (after == null || before === after) {
+            return String(before);
+        }
+        return `${before} → ${after}`;
+    }
+
+    handleRefresh() {
+        this.refreshData();
+    }
+
+    handleActionFilterChange(event) {
+        this.actionFilter = event.detail.value;
+    }
+
+    handleChannelFilterChange(event) {
+        this.channelFilter = event.detail.value;
+    }
+
+    handleUserFilterChange(event) {
+        this.userFilter = event.detail.value;
+    }
+
+    handleClearFilters() {
+        this.actionFilter = ALL;
+        this.channelFilter = ALL;
+        this.userFilter = ALL;
+    }
+}
@@ -1,21 +1,206 @@
 import { LightningElement, api, track, wire } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
+import { subscribe, unsubscribe, onError, isEmpEnabled } from 'lightning/empApi';
+import { getRecord, getFieldValue } from 'lightning/uiRecordApi';
+import USER_NAME_FIELD from '@salesforce/schema/User.Name';
 import getOrderStatus from '@salesforce/apex/OrderProductsController.getOrderStatus';
+import cloneOrder from '@salesforce/apex/OrderProductsController.cloneOrder';
 
-export default class OrderManagement extends LightningElement {
+// Change Data Capture channel carrying OrderChangeEvent and OrderItemChangeEvent (OrderItem events enriched with OrderId).
+const ORDER_CHANGES_CHANNEL = '/data/Order_Changes__chn';
+// One transaction can send an Order event and several OrderItem events; refresh once for all of them.
+const CHANGE_REFRESH_DELAY_MS = 500;
+
+const STATUS_DRAFT = 'Draft';
+const STATUS_PENDING_APPROVAL = 'Pending Approval';
+const STATUS_ACTIVATED = 'Activated';
+// State recorded for the lines this page deleted; their change events carry no fields.
+const DELETED = 'DELETED';
+
+// What a change event says its records now hold: a line's Version__c, an order's Status, or DELETED.
+// Undefined when the event does not carry it, e.g. an order update that left the status alone.
+function changedStateOf(header, payload) {
+    if (header.changeType === 'DELETE') {
+        return DELETED;
+    }
+    return header.entityName === 'Order' ? payload.Status : payload.Version__c;
+}
+
+export default class OrderManagement extends NavigationMixin(LightningElement) {
     @api recordId; // Order ID
-    @track isOrderActivated = false;
+    @track orderStatus;
+    @track showCloneModal = false;
+    @track isCloning = false;
+    @track cloneAccountId;
+    @track clonePricebookId;
+    @track cloneResult;
+    @track showConflictBanner = false;
+    conflictUserId;
+    changeSubscription;
+    // Changes waiting for the next refresh: who committed them, in which transaction, and the records they touched.
+    pendingChanges = [];
+    // What this page's own saves wrote, keyed by 15-character record id: line versions, order statuses and DELETED.
+    ownSaves = new Map();
+    changeRefreshTimeout;
+
+    activePricebookFilter = {
+        criteria: [{ fieldPath: 'IsActive', operator: 'eq', value: true }]
+    };
 
     wiredOrderStatusResult;
 
+    @wire(getRecord, { recordId: '$conflictUserId', fields: [USER_NAME_FIELD] })
+    conflictUser;
+
+    get conflictUserName() {
+        return getFieldValue(this.conflictUser?.data, USER_NAME_FIELD) || 'another user';
+    }
+
+    async connectedCallback() {
+        if (!(await isEmpEnabled())) {
+            return;
+        }
+        onError(error => {
+            console.error('Order change subscription error:', JSON.stringify(error));
+        });
+        this.changeSubscription = await subscribe(ORDER_CHANGES_CHANNEL, -1, message => this.handleChangeEvent(message));
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.changeRefreshTimeout);
+        if (this.changeSubscription) {
+            unsubscribe(this.changeSubscription);
+            this.changeSubscription = undefined;
+        }
+    }
+
+    handleChangeEvent(message) {
+        const payload = message?.data?.payload;
+        const header = payload?.ChangeEventHeader;
+        if (!header || !this.recordId || !this.isChangeForThisOrder(header, payload)) {
+            return;
+        }
+
+        // Whether the change is this page's own is decided at refresh time, when the save that made it has reported back.
+        this.pendingChanges.push({
+            userId: header.commitUser,
+            transactionKey: header.transactionKey,
+            recordIds: header.recordIds || [],
+            state: changedStateOf(header, payload),
+            orderItemIds: header.entityName === 'OrderItem' ? header.recordIds || [] : []
+        });
+        clearTimeout(this.changeRefreshTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.changeRefreshTimeout = setTimeout(() => this.refreshAfterChange(), CHANGE_REFRESH_DELAY_MS);
+    }
+
+    // This page's saves already refresh what they change, and must not warn about themselves. A change is ours only when
+    // every record it touched is in the state one of our saves left it in, so the same user's saves from another tab
+    // or an integration still refresh the page.
+    isOwnChange(change) {
+        if (change.state === undefined || change.state === null || change.recordIds.length === 0) {
+            return false;
+        }
+        return change.recordIds.every(id => this.ownSaves.get(id.substring(0, 15)) === change.state);
+    }
+
+    handleLinesSaved(event) {
+        const { savedVersions, deletedIds } = event.detail;
+        Object.keys(savedVersions).forEach(id => this.ownSaves.set(id.substring(0, 15), savedVersions[id]));
+        deletedIds.forEach(id => this.ownSaves.set(id.substring(0, 15), DELETED));
+    }
+
+    recordOwnStatus(status) {
+        this.ownSaves.set(this.recordId.substring(0, 15), status);
+    }
+
+    isChangeForThisOrder(header, payload) {
+        const orderId = this.recordId.substring(0, 15);
+        if (header.entityName === 'Order') {
+            return (header.recordIds || []).some(id => id.substring(0, 15) === orderId);
+        }
+        if (header.entityName === 'OrderItem') {
+            if (payload.OrderId) {
+                return payload.OrderId.substring(0, 15) === orderId;
+            }
+            // Enriched fields can be missing (e.g. on delete); fall back to the lines on screen.
+            const orderProductsComponent = this.template.querySelector('c-order-products');
+            return Boolean(orderProductsComponent && orderProductsComponent.showsOrderItem(header.recordIds));
+        }
+        return false;
+    }
+
+    async refreshAfterChange() {
+        const ownChanges = this.pendingChanges.filter(change => this.isOwnChange(change));
+        // The other events of our transactions, e.g. the order update that comes with new lines, are ours too.
+        const ownTransactions = new Set(ownChanges.map(change => change.transactionKey));
+        const changes = this.pendingChanges.filter(change => !ownTransactions.has(change.transactionKey));
+        this.pendingChanges = [];
+        ownChanges.forEach(change => change.recordIds.forEach(id => this.ownSaves.delete(id.substring(0, 15))));
+        if (changes.length === 0) {
+            return;
+        }
+
+        if (this.wiredOrderStatusResult) {
+            await refreshApex(this.wiredOrderStatusResult);
+        }
+
+        const availableProductsComponent = this.template.querySelector('c-available-products');
+        if (availableProductsComponent && availableProductsComponent.refreshData) {
+            await availableProductsComponent.refreshData();
+        }
+        await this.refreshHistory();
+
+        const orderProductsComponent = this.template.querySelector('c-order-products');
+        if (!orderProductsComponent) {
+            return;
+        }
+        const conflicting = changes.filter(change => orderProductsComponent.hasUnsavedChangesFor(change.orderItemIds));
+        if (conflicting.length > 0) {
+            // Keep the user's draft quantities; let them decide whether to reload.
+            this.conflictUserId = conflicting[conflicting.length - 1].userId;
+            this.showConflictBanner = true;
+            return;
+        }
+        // Drafts on other lines are kept by the table across the reload.
+        await orderProductsComponent.refreshData();
+    }
+
+    async handleReloadAfterConflict() {
+        this.showConflictBanner = false;
+        const orderProductsComponent = this.template.querySelector('c-order-products');
+        if (orderProductsComponent) {
+            orderProductsComponent.discardChanges();
+            await orderProductsComponent.refreshData();
+        }
+    }
+
+    handleDismissConflict() {
+        this.showConflictBanner = false;
+    }
+
+    async refreshHistory() {
+        const orderHistoryComponent = this.template.querySelector('c-order-history');
+        if (orderHistoryComponent && orderHistoryComponent.refreshData) {
+            await orderHistoryComponent.refreshData();
+        }
+    }
+
     @wire(getOrderStatus, { orderId: '$recordId' })
     wiredOrderStatus(result) {
         this.wiredOrderStatusResult = result;
         if (result.data) {
-            this.isOrderActivated = result.data === 'Activated';
+            this.orderStatus = result.data;
         }
     }
 
+    // Activated orders and orders waiting for an approver cannot have products added.
+    get isOrderLocked() {
+        return this.orderStatus === STATUS_ACTIVATED || this.orderStatus === STATUS_PENDING_APPROVAL;
+    }
+
     // Handle product added event from availableProducts
     async handleProductAdded(event) {
         // Refresh orderProducts component
@@ -23,22 +208,137 @@ export default class OrderManagement extends LightningElement {
         if (orderProductsComponent && orderProductsComponent.refreshData) {
             await orderProductsComponent.refreshData();
         }
+        await this.refreshHistory();
     }
 
     // Handle order activated event from orderProducts
     async handleOrderActivated(event) {
+        this.recordOwnStatus(STATUS_ACTIVATED);
         // Refresh order status first
         if (this.wiredOrderStatusResult) {
             await refreshApex(this.wiredOrderStatusResult);
         }
         
-        // Set isOrderActivated to true (this will automatically update availableProducts via prop binding)
-        this.isOrderActivated = true;
+        // Locks availableProducts via prop binding
+        this.orderStatus = STATUS_ACTIVATED;
         
         // Refresh availableProducts data as well
         const availableProductsComponent = this.template.querySelector('c-available-products');
         if (availableProductsComponent && availableProductsComponent.refreshData) {
             await availableProductsComponent.refreshData();
         }
+        await this.refreshHistory();
+    }
+
+    // Handle order reopened event from orderProducts
+    async handleOrderReopened() {
+        this.recordOwnStatus(STATUS_DRAFT);
+        if (this.wiredOrderStatusResult) {
+            await refreshApex(this.wiredOrderStatusResult);
+        }
+        
+        // Order is back in Draft, so availableProducts can add products again
+        this.orderStatus = STATUS_DRAFT;
+        
+        const availableProductsComponent = this.template.querySelector('c-available-products');
+        if (availableProductsComponent && availableProductsComponent.refreshData) {
+            await availableProductsComponent.refreshData();
+        }
+    }
+
+    // Handle order submitted for approval event from orderProducts
+    async handleOrderSubmitted() {
+        this.recordOwnStatus(STATUS_PENDING_APPROVAL);
+        if (this.wiredOrderStatusResult) {
+            await refreshApex(this.wiredOrderStatusResult);
+        }
+        
+        // Nothing can be added while the order waits for an approver
+        this.orderStatus = STATUS_PENDING_APPROVAL;
+    }
+
+    // Handle order rejected event from orderProducts
+    async handleOrderRejected() {
+        this.recordOwnStatus(STATUS_DRAFT);
+        if (this.wiredOrderStatusResult) {
+            await refreshApex(this.wiredOrderStatusResult);
+        }
+        
+        // A rejected order is back in Draft so it can be changed and submitted again
+        this.orderStatus = STATUS_DRAFT;
+    }
+
+    get hasChangedLines() {
+        return this.cloneResult && this.cloneResult.changedLines.length > 0;
+    }
+
+    get hasDroppedLines() {
+        return this.cloneResult && this.cloneResult.droppedLines.length > 0;
+    }
+
+    get cloneSummary() {
+        if (!this.cloneResult) {
+            return '';
+        }
+        const { linesCopied, changedLines, droppedLines } = this.cloneResult;
+        return `${linesCopied} product(s) copied, ${changedLines.length} with a new price, ${droppedLines.length} left out.`;
+    }
+
+    handleOpenClone() {
+        this.cloneAccountId = undefined;
+        this.clonePricebookId = undefined;
+        this.cloneResult = undefined;
+        this.showCloneModal = true;
+    }
+
+    handleCloseClone() {
+        this.showCloneModal = false;
+        this.cloneResult = undefined;
+    }
+
+    handleCloneAccountChange(event) {
+        this.cloneAccountId = event.detail.recordId;
+    }
+
+    handleClonePricebookChange(event) {
+        this.clonePricebookId = event.detail.recordId;
+    }
+
+    async handleConfirmClone() {
+        this.isCloning = true;
+
+        try {
+            this.cloneResult = await cloneOrder({
+                orderId: this.recordId,
+                accountId: this.cloneAccountId || null,
+                pricebookId: this.clonePricebookId || null
+            });
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Success',
+                message: 'Order cloned successfully',
+                variant: 'success'
+            }));
+        } catch (error) {
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Error',
+                message: 'Failed to clone order: ' + (error.body?.message || error.message),
+                variant: 'error'
+            }));
+        } finally {
+            this.isCloning = false;
+        }
+    }
+
+    handleOpenClonedOrder() {
+        const orderId = this.cloneResult.orderId;
+        this.handleCloseClone();
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: {
+                recordId: orderId,
+                objectApiName: 'Order',
+                actionName: 'view'
+            }
+        });
     }
-}
\ No newline at end of file
+}
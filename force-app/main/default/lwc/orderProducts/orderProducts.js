@@ -1,36 +1,96 @@
 import { LightningElement, api, track, wire } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
 import getOrderItemsPaginated from '@salesforce/apex/OrderProductsController.getOrderItemsPaginated';
 import canActivateOrder from '@salesforce/apex/OrderProductsController.canActivateOrder';
+import getFailedActivationChecks from '@salesforce/apex/OrderProductsController.getFailedActivationChecks';
 import activateOrder from '@salesforce/apex/OrderProductsController.activateOrder';
+import canReopenOrder from '@salesforce/apex/OrderProductsController.canReopenOrder';
+import reopenOrder from '@salesforce/apex/OrderProductsController.reopenOrder';
+import submitOrderForApproval from '@salesforce/apex/OrderProductsController.submitOrderForApproval';
+import canApproveOrder from '@salesforce/apex/OrderProductsController.canApproveOrder';
+import approveOrder from '@salesforce/apex/OrderProductsController.approveOrder';
+import rejectOrder from '@salesforce/apex/OrderProductsController.rejectOrder';
 import getOrderStatus from '@salesforce/apex/OrderProductsController.getOrderStatus';
 import updateOrderItemQuantities from '@salesforce/apex/OrderProductsController.updateOrderItemQuantities';
 import deleteOrderItems from '@salesforce/apex/OrderProductsController.deleteOrderItems';
+import saveOrderTemplate from '@salesforce/apex/OrderProductsController.saveOrderTemplate';
+import exportOrderCsv from '@salesforce/apex/OrderProductsController.exportOrderCsv';
 
-export default class OrderProducts extends LightningElement {
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+const DEFAULT_SORT_FIELD = 'productName';
+const DEFAULT_SORT_DIRECTION = 'asc';
+
+const BULK_ACTION_DELETE = 'delete';
+const BULK_ACTION_SET_QUANTITY = 'setQuantity';
+const BULK_ACTION_ADJUST_QUANTITY = 'adjustQuantity';
+
+const CONFLICT_KEEP_MINE = 'mine';
+const CONFLICT_USE_CURRENT = 'current';
+const CONFLICT_CHOICES = [
+    { label: 'Mine', value: CONFLICT_KEEP_MINE },
+    { label: 'Current', value: CONFLICT_USE_CURRENT }
+];
+
+const EXPORT_CSV = 'csv';
+const EXPORT_PDF = 'pdf';
+const QUOTE_PAGE_URL = '/apex/OrderQuote';
+
+const STATUS_DRAFT = 'Draft';
+const STATUS_PENDING_APPROVAL = 'Pending Approval';
+const STATUS_ACTIVATED = 'Activated';
+
+const APPROVAL_APPROVE = 'approve';
+const APPROVAL_REJECT = 'reject';
+
+const EMPTY_ORDER_TOTALS = { subtotal: 0, discountTotal: 0, orderDiscount: 0, totalAmount: 0 };
+
+export default class OrderProducts extends NavigationMixin(LightningElement) {
     @api recordId;
     @track orderItems = [];
     @track isLoading = false;
     @track canActivate = false;
+    @track failedActivationChecks = [];
     @track error;
-    @track isOrderActivated = false;
+    @track orderStatus;
+    @track canReopen = false;
+    @track showReopenModal = false;
+    @track reopenReason = '';
+    @track canApprove = false;
+    @track showApprovalModal = false;
+    @track approvalDecision = null;
+    @track approvalComments = '';
+    @track showSaveTemplateModal = false;
+    @track templateName = '';
     @track draftValues = [];
-    @track showDeleteModal = false;
-    @track itemToDelete = null;
-    
-    limitSize = 5;
-    offset = 0;
+    @track showConfirmModal = false;
+    @track pendingAction = null;
+    @track showConflictModal = false;
+    @track conflictAction = null;
+    @track selectedRows = [];
+    @track bulkQuantity;
+    @track bulkAdjustment;
+    @track pageNumber = 1;
+    @track pageSize = PAGE_SIZE_OPTIONS[0];
+    @track totalCount = 0;
+    @track orderTotals = EMPTY_ORDER_TOTALS;
+    @track sortedBy = DEFAULT_SORT_FIELD;
+    @track sortedDirection = DEFAULT_SORT_DIRECTION;
 
     wiredCanActivateResult;
+    wiredFailedChecksResult;
     wiredOrderStatusResult;
+    wiredCanReopenResult;
+    wiredCanApproveResult;
 
     get orderItemColumns() {
         const columns = [
             {
                 label: 'Product Name',
                 fieldName: 'productName',
-                type: 'text'
+                type: 'text',
+                sortable: true
             },
             {
                 label: 'Parent Product Name',
@@ -41,6 +101,8 @@ export default class OrderProducts extends LightningElement {
                 label: 'Unit Price',
                 fieldName: 'unitPrice',
                 type: 'currency',
+                typeAttributes: { currencyCode: this.currencyCode, currencyDisplayAs: 'code' },
+                sortable: true
             },
             {
                 label: 'Quantity',
@@ -48,16 +110,31 @@ export default class OrderProducts extends LightningElement {
                 type: 'number',
                 typeAttributes: { minimum: 1, step: 1 },
                 cellAttributes: { alignment: 'right' },
-                editable: !this.isOrderActivated
+                editable: !this.isOrderLocked,
+                sortable: true
             },
             {
                 label: 'Total Price',
                 fieldName: 'totalPrice',
                 type: 'currency',
+                typeAttributes: { currencyCode: this.currencyCode, currencyDisplayAs: 'code' },
+                sortable: true
+            },
+            {
+                label: 'Discount',
+                fieldName: 'discountAmount',
+                type: 'currency',
+                typeAttributes: { currencyCode: this.currencyCode, currencyDisplayAs: 'code' }
+            },
+            {
+                label: 'Net Price',
+                fieldName: 'netPrice',
+                type: 'currency',
+                typeAttributes: { currencyCode: this.currencyCode, currencyDisplayAs: 'code' }
             }
         ];
 
-        if (!this.isOrderActivated) {
+        if (!this.isOrderLocked) {
             columns.push({
                 type: 'action',
                 typeAttributes: {
@@ -92,15 +169,32 @@ export default class OrderProducts extends LightningElement {
         return getOrderItemsPaginated({ 
             orderId: this.recordId, 
             offset: this.offset, 
-            pageSize: this.limitSize,
+            pageSize: this.pageSize,
+            sortBy: this.sortedBy,
+            sortDirection: this.sortedDirection,
             cacheBuster: cacheBuster
         })
         .then(result => {
-            if (result && result.items && result.items.length > 0) {
-                this.orderItems = [...this.orderItems, ...result.items];
-                this.offset += result.items.length;
-                this.error = undefined;
+            const items = result && result.items ? result.items : [];
+            this.totalCount = result && result.totalCount ? result.totalCount : 0;
+            this.orderTotals = result ? {
+                subtotal: result.subtotal || 0,
+                discountTotal: result.discountTotal || 0,
+                orderDiscount: result.orderDiscount || 0,
+                totalAmount: result.totalAmount || 0,
+                currencyCode: result.currencyCode
+            } : EMPTY_ORDER_TOTALS;
+            this.error = undefined;
+            
+            // The current page can disappear after deletes; step back to the last page that still has rows.
+            if (items.length === 0 && this.pageNumber > 1 && this.totalCount > 0) {
+                this.pageNumber = this.totalPages;
+                return this.loadData(cacheBuster);
             }
+            
+            this.orderItems = items;
+            this.syncSelectedRows();
+            return undefined;
         })
         .catch(error => {
             this.error = error;
@@ -119,20 +213,187 @@ export default class OrderProducts extends LightningElement {
         }
     }
 
+    @wire(getFailedActivationChecks, { orderId: '$recordId' })
+    wiredFailedChecks(result) {
+        this.wiredFailedChecksResult = result;
+        if (result.data) {
+            this.failedActivationChecks = result.data;
+        }
+    }
+
+    @wire(canReopenOrder, { orderId: '$recordId' })
+    wiredCanReopen(result) {
+        this.wiredCanReopenResult = result;
+        if (result.data !== undefined) {
+            this.canReopen = result.data;
+        }
+    }
+
+    @wire(canApproveOrder, { orderId: '$recordId' })
+    wiredCanApprove(result) {
+        this.wiredCanApproveResult = result;
+        if (result.data !== undefined) {
+            this.canApprove = result.data;
+        }
+    }
+
     @wire(getOrderStatus, { orderId: '$recordId' })
     wiredOrderStatus(result) {
         this.wiredOrderStatusResult = result;
         if (result.data) {
-            this.isOrderActivated = result.data === 'Activated';
+            this.orderStatus = result.data;
         }
     }
 
+    get isOrderActivated() {
+        return this.orderStatus === STATUS_ACTIVATED;
+    }
+
+    get isPendingApproval() {
+        return this.orderStatus === STATUS_PENDING_APPROVAL;
+    }
+
+    // Activated orders and orders waiting for an approver cannot be edited.
+    get isOrderLocked() {
+        return this.isOrderActivated || this.isPendingApproval;
+    }
+
+    get showActivateSection() {
+        return !this.isOrderLocked;
+    }
+
+    get isActivateDisabled() {
+        return !this.canActivate || this.isLoading;
+    }
+
+    get hasFailedActivationChecks() {
+        return !this.isOrderActivated && this.failedActivationChecks && this.failedActivationChecks.length > 0;
+    }
+
+    // Failed checks an approver can override; the order is submitted for approval instead of activated.
+    get requiresApproval() {
+        return this.failedActivationChecks.some(check => check.requiresApproval);
+    }
+
+    get activateButtonLabel() {
+        return this.requiresApproval ? 'Submit for Approval' : 'Activate Order';
+    }
+
+    get activationChecklist() {
+        return this.failedActivationChecks.map(check => ({
+            ...check,
+            iconName: check.requiresApproval ? 'utility:warning' : 'utility:error',
+            iconVariant: check.requiresApproval ? 'warning' : 'error',
+            iconText: check.requiresApproval ? 'Needs approval' : 'Failed'
+        }));
+    }
+
+    get activationChecklistHeading() {
+        if (this.isPendingApproval) {
+            return 'Waiting for approval because:';
+        }
+        const onlyApproval = this.failedActivationChecks.every(check => check.requiresApproval);
+        return onlyApproval ? 'This order needs approval before it can be activated:' : 'Before this order can be activated:';
+    }
+
+    get approvalModalTitle() {
+        return this.approvalDecision === APPROVAL_REJECT ? 'Reject Order' : 'Approve Order';
+    }
+
+    get approvalModalMessage() {
+        return this.approvalDecision === APPROVAL_REJECT
+            ? 'The order will return to Draft so it can be changed and submitted again. Tell the submitter what to change.'
+            : 'The order will be activated and the stock of its products reserved.';
+    }
+
+    get approvalConfirmLabel() {
+        return this.approvalDecision === APPROVAL_REJECT ? 'Reject' : 'Approve';
+    }
+
+    get approvalConfirmVariant() {
+        return this.approvalDecision === APPROVAL_REJECT ? 'destructive' : 'brand';
+    }
+
+    get isRejecting() {
+        return this.approvalDecision === APPROVAL_REJECT;
+    }
+
+    get isApprovalConfirmDisabled() {
+        return this.isLoading || (this.isRejecting && (!this.approvalComments || !this.approvalComments.trim()));
+    }
+
+    get showReopenButton() {
+        return this.isOrderActivated && this.canReopen;
+    }
+
+    get isReopenConfirmDisabled() {
+        return !this.reopenReason || !this.reopenReason.trim() || this.isLoading;
+    }
+
+    get isSaveTemplateDisabled() {
+        return !this.templateName || !this.templateName.trim() || this.isLoading;
+    }
+
     get hasOrderItems() {
         return this.orderItems && this.orderItems.length > 0;
     }
 
+    get subtotal() {
+        return this.orderTotals.subtotal;
+    }
+
+    // Shown as a negative amount so the footer reads subtotal - discount = total.
+    get discountTotal() {
+        return -this.orderTotals.discountTotal;
+    }
+
+    get orderDiscount() {
+        return -this.orderTotals.orderDiscount;
+    }
+
+    get hasOrderDiscount() {
+        return this.orderTotals.orderDiscount > 0;
+    }
+
     get totalAmount() {
-        return this.orderItems.reduce((total, item) => total + (item.totalPrice || 0), 0);
+        return this.orderTotals.totalAmount;
+    }
+
+    // Every line is in the order currency; undefined falls back to the user's currency.
+    get currencyCode() {
+        return this.orderTotals.currencyCode;
+    }
+
+    get offset() {
+        return (this.pageNumber - 1) * this.pageSize;
+    }
+
+    get totalPages() {
+        return Math.max(1, Math.ceil(this.totalCount / this.pageSize));
+    }
+
+    get isFirstPage() {
+        return this.pageNumber <= 1 || this.isLoading;
+    }
+
+    get isLastPage() {
+        return this.pageNumber >= this.totalPages || this.isLoading;
+    }
+
+    get pageRangeStart() {
+        return this.totalCount === 0 ? 0 : this.offset + 1;
+    }
+
+    get pageRangeEnd() {
+        return Math.min(this.offset + this.orderItems.length, this.totalCount);
+    }
+
+    get pageSizeOptions() {
+        return PAGE_SIZE_OPTIONS.map(size => ({ label: String(size), value: String(size) }));
+    }
+
+    get pageSizeValue() {
+        return String(this.pageSize);
     }
 
     get orderItemsWithFormattedPrices() {
@@ -150,32 +411,57 @@ export default class OrderProducts extends LightningElement {
         return '';
     }
 
-    handleLoadMore(event) {
-        if (this.isLoading) {
-            if (event && event.target) {
-                event.target.isLoading = false;
-            }
+    handleSort(event) {
+        this.sortedBy = event.detail.fieldName || DEFAULT_SORT_FIELD;
+        this.sortedDirection = event.detail.sortDirection || DEFAULT_SORT_DIRECTION;
+        this.pageNumber = 1;
+        this.loadData(Date.now());
+    }
+
+    handlePageSizeChange(event) {
+        const newPageSize = parseInt(event.detail.value, 10);
+        if (!newPageSize || newPageSize === this.pageSize) {
             return;
         }
-        
-        const previousCount = this.orderItems.length;
-        
-        this.loadData().then(() => {
-            if (this.orderItems.length === previousCount) {
-                if (event && event.target) {
-                    event.target.isLoading = false;
-                }
-            } else {
-                setTimeout(() => {
-                    if (event && event.target) {
-                        event.target.isLoading = false;
-                    }
-                }, 0);
-            }
-        });
+        // Keep the first row of the current page visible after resizing.
+        const firstRowIndex = this.offset;
+        this.pageSize = newPageSize;
+        this.pageNumber = Math.floor(firstRowIndex / newPageSize) + 1;
+        this.loadData(Date.now());
+    }
+
+    handleFirstPage() {
+        this.goToPage(1);
+    }
+
+    handlePreviousPage() {
+        this.goToPage(this.pageNumber - 1);
+    }
+
+    handleNextPage() {
+        this.goToPage(this.pageNumber + 1);
+    }
+
+    handleLastPage() {
+        this.goToPage(this.totalPages);
+    }
+
+    goToPage(pageNumber) {
+        const targetPage = Math.min(Math.max(pageNumber, 1), this.totalPages);
+        if (targetPage === this.pageNumber || this.isLoading) {
+            return;
+        }
+        this.draftValues = [];
+        this.pageNumber = targetPage;
+        this.loadData(Date.now());
     }
 
     async handleActivateOrder() {
+        if (this.requiresApproval) {
+            await this.submitForApproval();
+            return;
+        }
+
         this.isLoading = true;
         
         try {
@@ -183,14 +469,9 @@ export default class OrderProducts extends LightningElement {
             
             this.showToast('Success', 'Order activated successfully', 'success');
             
-            await Promise.all([
-                refreshApex(this.wiredCanActivateResult),
-                refreshApex(this.wiredOrderStatusResult)
-            ]);
+            await this.refreshOrderState();
             
-            this.offset = 0;
-            this.orderItems = [];
-            this.loadData();
+            this.loadData(Date.now());
             
             this.dispatchEvent(new CustomEvent('orderactivated', {
                 detail: { orderId: this.recordId }
@@ -203,6 +484,216 @@ export default class OrderProducts extends LightningElement {
         }
     }
 
+    handleOpenReopen() {
+        this.reopenReason = '';
+        this.showReopenModal = true;
+    }
+
+    handleCancelReopen() {
+        this.showReopenModal = false;
+        this.reopenReason = '';
+    }
+
+    handleReopenReasonChange(event) {
+        this.reopenReason = event.detail.value;
+    }
+
+    async handleConfirmReopen() {
+        const reasonInput = this.template.querySelector('lightning-textarea[data-id="reopenReason"]');
+        if (reasonInput && !reasonInput.reportValidity()) {
+            return;
+        }
+
+        this.isLoading = true;
+        
+        try {
+            await reopenOrder({ orderId: this.recordId, reason: this.reopenReason.trim() });
+            
+            this.showToast('Success', 'Order reopened successfully', 'success');
+            this.showReopenModal = false;
+            this.reopenReason = '';
+            this.orderStatus = STATUS_DRAFT;
+            
+            await this.refreshOrderState();
+            
+            this.loadData(Date.now());
+            
+            this.dispatchEvent(new CustomEvent('orderreopened', {
+                detail: { orderId: this.recordId }
+            }));
+            
+        } catch (error) {
+            this.showToast('Error', 'Failed to reopen order: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async submitForApproval() {
+        this.isLoading = true;
+
+        try {
+            await submitOrderForApproval({ orderId: this.recordId });
+
+            this.showToast('Success', 'Order submitted for approval', 'success');
+            this.orderStatus = STATUS_PENDING_APPROVAL;
+            this.draftValues = [];
+            this.selectedRows = [];
+
+            await this.refreshOrderState();
+
+            this.loadData(Date.now());
+
+            this.dispatchEvent(new CustomEvent('ordersubmitted', {
+                detail: { orderId: this.recordId }
+            }));
+        } catch (error) {
+            this.showToast('Error', 'Failed to submit order for approval: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleOpenApprove() {
+        this.openApprovalModal(APPROVAL_APPROVE);
+    }
+
+    handleOpenReject() {
+        this.openApprovalModal(APPROVAL_REJECT);
+    }
+
+    openApprovalModal(decision) {
+        this.approvalDecision = decision;
+        this.approvalComments = '';
+        this.showApprovalModal = true;
+    }
+
+    handleCancelApproval() {
+        this.showApprovalModal = false;
+        this.approvalDecision = null;
+        this.approvalComments = '';
+    }
+
+    handleApprovalCommentsChange(event) {
+        this.approvalComments = event.detail.value;
+    }
+
+    async handleConfirmApproval() {
+        const commentsInput = this.template.querySelector('lightning-textarea[data-id="approvalComments"]');
+        if (commentsInput && !commentsInput.reportValidity()) {
+            return;
+        }
+
+        const rejecting = this.isRejecting;
+        const comments = this.approvalComments ? this.approvalComments.trim() : '';
+        this.isLoading = true;
+
+        try {
+            if (rejecting) {
+                await rejectOrder({ orderId: this.recordId, comments });
+            } else {
+                await approveOrder({ orderId: this.recordId, comments });
+            }
+
+            this.showToast('Success', rejecting ? 'Order rejected' : 'Order approved and activated', 'success');
+            this.showApprovalModal = false;
+            this.approvalDecision = null;
+            this.approvalComments = '';
+            this.orderStatus = rejecting ? STATUS_DRAFT : STATUS_ACTIVATED;
+
+            await this.refreshOrderState();
+
+            this.loadData(Date.now());
+
+            // An approved order is activated, so the container handles it like any other activation.
+            this.dispatchEvent(new CustomEvent(rejecting ? 'orderrejected' : 'orderactivated', {
+                detail: { orderId: this.recordId }
+            }));
+        } catch (error) {
+            const action = rejecting ? 'reject' : 'approve';
+            this.showToast('Error', 'Failed to ' + action + ' order: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleOpenSaveTemplate() {
+        this.templateName = '';
+        this.showSaveTemplateModal = true;
+    }
+
+    handleCancelSaveTemplate() {
+        this.showSaveTemplateModal = false;
+        this.templateName = '';
+    }
+
+    handleTemplateNameChange(event) {
+        this.templateName = event.detail.value;
+    }
+
+    async handleConfirmSaveTemplate() {
+        const nameInput = this.template.querySelector('lightning-input[data-id="templateName"]');
+        if (nameInput && !nameInput.reportValidity()) {
+            return;
+        }
+
+        this.isLoading = true;
+
+        try {
+            const message = await saveOrderTemplate({ orderId: this.recordId, templateName: this.templateName.trim() });
+
+            this.showToast('Success', message, 'success');
+            this.showSaveTemplateModal = false;
+            this.templateName = '';
+
+            this.dispatchEvent(new CustomEvent('templatesaved', {
+                detail: { orderId: this.recordId }
+            }));
+        } catch (error) {
+            this.showToast('Error', 'Failed to save template: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleExportSelect(event) {
+        const exportType = event.detail.value;
+        if (exportType === EXPORT_CSV) {
+            this.exportCsv();
+        } else if (exportType === EXPORT_PDF) {
+            this.openQuote();
+        }
+    }
+
+    async exportCsv() {
+        this.isLoading = true;
+
+        try {
+            const file = await exportOrderCsv({ orderId: this.recordId });
+
+            const link = document.createElement('a');
+            link.href = 'data:text/csv;charset=utf-8,' + encodeURIComponent(file.content);
+            link.download = file.fileName;
+            link.style.display = 'none';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+        } catch (error) {
+            this.showToast('Error', 'Failed to export order: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    openQuote() {
+        this[NavigationMixin.Navigate]({
+            type: 'standard__webPage',
+            attributes: {
+                url: `${QUOTE_PAGE_URL}?id=${this.recordId}`
+            }
+        });
+    }
+
     showToast(title, message, variant) {
         const evt = new ShowToastEvent({
             title: title,
@@ -214,20 +705,53 @@ export default class OrderProducts extends LightningElement {
 
     @api
     async refreshData() {
+        await this.refreshOrderState();
+        await this.loadData(Date.now());
+    }
+
+    @api
+    discardChanges() {
+        this.draftValues = [];
+    }
+
+    // Whether any of the given order item ids has a draft edit.
+    @api
+    hasUnsavedChangesFor(orderItemIds) {
+        const ids = new Set((orderItemIds || []).map(id => id.substring(0, 15)));
+        return this.draftValues.some(draft => ids.has(String(draft.id).substring(0, 15)));
+    }
+
+    // Whether any of the given order item ids is shown on the current page.
+    @api
+    showsOrderItem(orderItemIds) {
+        const ids = new Set((orderItemIds || []).map(id => id.substring(0, 15)));
+        return this.orderItems.some(item => ids.has(item.id.substring(0, 15)));
+    }
+
+    // Refreshes everything that depends on the order status: activation checks, status and the reopen and approve permissions.
+    async refreshOrderState() {
+        const results = [
+            this.wiredCanActivateResult,
+            this.wiredFailedChecksResult,
+            this.wiredOrderStatusResult,
+            this.wiredCanReopenResult,
+            this.wiredCanApproveResult
+        ].filter(Boolean);
+        await Promise.all(results.map(result => refreshApex(result)));
+    }
+
+    async refreshActivationChecks() {
         if (this.wiredCanActivateResult) {
             await refreshApex(this.wiredCanActivateResult);
         }
-        if (this.wiredOrderStatusResult) {
-            await refreshApex(this.wiredOrderStatusResult);
+        if (this.wiredFailedChecksResult) {
+            await refreshApex(this.wiredFailedChecksResult);
         }
-        this.offset = 0;
-        this.orderItems = [];
-        await this.loadData(Date.now());
     }
 
     async handleSaveQuantity(event) {
-        if (this.isOrderActivated) {
-            this.showToast('Error', 'Cannot edit quantity for activated orders', 'error');
+        if (this.isOrderLocked) {
+            this.showToast('Error', 'Cannot edit quantity for activated orders or orders pending approval', 'error');
             this.draftValues = [];
             return;
         }
@@ -235,16 +759,19 @@ export default class OrderProducts extends LightningElement {
         const updatedFields = event.detail.draftValues;
         const updates = {};
 
-        updatedFields.forEach(item => {
-            if (item.quantity !== undefined && item.quantity !== null) {
-                if (item.quantity < 1) {
-                    this.showToast('Error', 'Quantity must be at least 1', 'error');
-                    this.draftValues = [];
-                    return;
-                }
-                updates[item.id] = item.quantity;
+        // Every draft is checked before anything is saved, so one invalid quantity stops the whole save.
+        for (const item of updatedFields) {
+            if (item.quantity === undefined || item.quantity === null) {
+                continue;
             }
-        });
+            const quantity = Number(item.quantity);
+            if (item.quantity === '' || !Number.isInteger(quantity) || quantity < 1) {
+                this.showToast('Error', 'Quantity must be a whole number of at least 1', 'error');
+                this.draftValues = [];
+                return;
+            }
+            updates[item.id] = quantity;
+        }
 
         if (Object.keys(updates).length === 0) {
             this.draftValues = [];
@@ -254,7 +781,11 @@ export default class OrderProducts extends LightningElement {
         this.isLoading = true;
 
         try {
-            await updateOrderItemQuantities({ orderItemUpdates: updates });
+            const saved = await this.submitQuantityUpdates(updates, this.versionsFor(Object.keys(updates)));
+            this.draftValues = [];
+            if (!saved) {
+                return;
+            }
             
             this.orderItems = this.orderItems.map(item => {
                 if (updates[item.id] !== undefined) {
@@ -271,9 +802,8 @@ export default class OrderProducts extends LightningElement {
             this.showToast('Success', 'Quantity updated successfully', 'success');
             this.draftValues = [];
             
-            this.offset = 0;
-            this.orderItems = [];
             await this.loadData(Date.now());
+            await this.refreshActivationChecks();
             
         } catch (error) {
             this.showToast('Error', 'Failed to update quantity: ' + (error.body?.message || error.message), 'error');
@@ -284,6 +814,64 @@ export default class OrderProducts extends LightningElement {
         }
     }
 
+    get selectedRowIds() {
+        return this.selectedRows.map(row => row.id);
+    }
+
+    get hasSelectedRows() {
+        return this.selectedRows.length > 0;
+    }
+
+    get selectedRowsCount() {
+        return this.selectedRows.length;
+    }
+
+    get isBulkActionDisabled() {
+        return !this.hasSelectedRows || this.isLoading || this.isOrderLocked;
+    }
+
+    get confirmModalTitle() {
+        return this.pendingAction ? this.pendingAction.title : '';
+    }
+
+    get confirmButtonLabel() {
+        return this.pendingAction && this.pendingAction.type === BULK_ACTION_DELETE ? 'Delete' : 'Update';
+    }
+
+    get confirmButtonVariant() {
+        return this.pendingAction && this.pendingAction.type === BULK_ACTION_DELETE ? 'destructive' : 'brand';
+    }
+
+    get pendingLines() {
+        return this.pendingAction ? this.pendingAction.lines : [];
+    }
+
+    get pendingTotalChange() {
+        return this.pendingAction ? this.pendingAction.totalChange : 0;
+    }
+
+    handleRowSelection(event) {
+        this.selectedRows = event.detail.selectedRows || [];
+    }
+
+    handleBulkQuantityChange(event) {
+        this.bulkQuantity = event.target.value;
+    }
+
+    handleBulkAdjustmentChange(event) {
+        this.bulkAdjustment = event.target.value;
+    }
+
+    clearSelection() {
+        this.selectedRows = [];
+    }
+
+    syncSelectedRows() {
+        // Selection is scoped to the visible page; keep only rows still on it, with their refreshed values.
+        const selectedIds = new Set(this.selectedRowIds);
+        this.selectedRows = this.orderItems.filter(item => selectedIds.has(item.id));
+    }
+
     handleRowAction(event) {
         const action = event.detail.action;
         const row = event.detail.row;
@@ -294,41 +882,260 @@ export default class OrderProducts extends LightningElement {
     }
 
     handleDeleteRow(row) {
-        this.itemToDelete = row;
-        this.showDeleteModal = true;
+        this.openConfirmation(BULK_ACTION_DELETE, [row], () => 0);
     }
 
-    handleCancelDelete() {
-        this.showDeleteModal = false;
-        this.itemToDelete = null;
+    handleDeleteSelected() {
+        this.openConfirmation(BULK_ACTION_DELETE, this.selectedRows, () => 0);
     }
 
-    async handleConfirmDelete() {
-        if (!this.itemToDelete) {
+    handleSetQuantitySelected() {
+        const quantity = Number(this.bulkQuantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            this.showToast('Error', 'Enter a whole-number quantity of at least 1', 'error');
             return;
         }
+        this.openConfirmation(BULK_ACTION_SET_QUANTITY, this.selectedRows, () => quantity);
+    }
 
+    handleAdjustQuantitySelected() {
+        const adjustment = Number(this.bulkAdjustment);
+        if (!Number.isInteger(adjustment) || adjustment === 0) {
+            this.showToast('Error', 'Enter a whole number other than 0 to increase or decrease by', 'error');
+            return;
+        }
+
+        const invalidRows = this.selectedRows.filter(row => (row.quantity || 0) + adjustment < 1);
+        if (invalidRows.length > 0) {
+            const names = invalidRows.map(row => row.productName).join(', ');
+            this.showToast('Error', `Quantity would drop below 1 for: ${names}. Use Delete selected to remove lines.`, 'error');
+            return;
+        }
+        this.openConfirmation(BULK_ACTION_ADJUST_QUANTITY, this.selectedRows, row => (row.quantity || 0) + adjustment);
+    }
+
+    openConfirmation(type, rows, resolveNewQuantity) {
+        if (!rows || rows.length === 0) {
+            return;
+        }
+
+        const lines = rows.map(row => {
+            const unitPrice = row.unitPrice || 0;
+            const currentQuantity = row.quantity || 0;
+            const newQuantity = resolveNewQuantity(row);
+            const currentTotal = row.totalPrice || unitPrice * currentQuantity;
+            const newTotal = unitPrice * newQuantity;
+            return {
+                id: row.id,
+                productName: row.productName,
+                unitPrice: unitPrice,
+                currentQuantity: currentQuantity,
+                newQuantity: newQuantity,
+                amountChange: newTotal - currentTotal
+            };
+        });
+
+        const titles = {
+            [BULK_ACTION_DELETE]: lines.length === 1 ? 'Confirm Delete' : `Delete ${lines.length} Lines`,
+            [BULK_ACTION_SET_QUANTITY]: `Set Quantity for ${lines.length} Line(s)`,
+            [BULK_ACTION_ADJUST_QUANTITY]: `Adjust Quantity for ${lines.length} Line(s)`
+        };
+
+        this.pendingAction = {
+            type: type,
+            title: titles[type],
+            lines: lines,
+            totalChange: lines.reduce((total, line) => total + line.amountChange, 0)
+        };
+        this.showConfirmModal = true;
+    }
+
+    handleCancelConfirm() {
+        this.showConfirmModal = false;
+        this.pendingAction = null;
+    }
+
+    async handleConfirmAction() {
+        if (!this.pendingAction) {
+            return;
+        }
+
+        const action = this.pendingAction;
+        const isDelete = action.type === BULK_ACTION_DELETE;
         this.isLoading = true;
-        this.showDeleteModal = false;
+        this.showConfirmModal = false;
 
         try {
-            await deleteOrderItems({ orderItemIds: [this.itemToDelete.id] });
-            
-            this.showToast('Success', 'Order item deleted successfully', 'success');
-            
-            this.orderItems = this.orderItems.filter(item => item.id !== this.itemToDelete.id);
-            
-            this.offset = 0;
-            this.orderItems = [];
+            let saved;
+            if (isDelete) {
+                const orderItemIds = action.lines.map(line => line.id);
+                saved = await this.submitDelete(orderItemIds, this.versionsFor(orderItemIds));
+                if (saved) {
+                    this.showToast('Success', `${action.lines.length} order item(s) deleted successfully`, 'success');
+                }
+            } else {
+                const updates = {};
+                action.lines.forEach(line => {
+                    updates[line.id] = line.newQuantity;
+                });
+                saved = await this.submitQuantityUpdates(updates, this.versionsFor(Object.keys(updates)));
+                if (saved) {
+                    this.showToast('Success', `${action.lines.length} order item(s) updated successfully`, 'success');
+                }
+            }
+
+            this.pendingAction = null;
+            if (!saved) {
+                return;
+            }
+            this.bulkQuantity = undefined;
+            this.bulkAdjustment = undefined;
+            this.clearSelection();
+
             await this.loadData(Date.now());
-            
-            this.itemToDelete = null;
-            
+            await this.refreshActivationChecks();
+        } catch (error) {
+            const verb = isDelete ? 'delete' : 'update';
+            this.showToast('Error', `Failed to ${verb} order items: ` + (error.body?.message || error.message), 'error');
+            console.error(`Error trying to ${verb} order items:`, error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // Versions of the lines as they were shown, so the server can reject changes made by someone else in the meantime.
+    versionsFor(orderItemIds) {
+        const versions = {};
+        orderItemIds.forEach(id => {
+            const row = this.orderItems.find(item => item.id === id);
+            if (row && row.version) {
+                versions[id] = row.version;
+            }
+        });
+        return versions;
+    }
+
+    // Resolves to true when saved; otherwise opens the conflict view with the server values.
+    async submitQuantityUpdates(updates, orderItemVersions) {
+        const result = await updateOrderItemQuantities({ orderItemUpdates: updates, orderItemVersions: orderItemVersions });
+        if (result.success) {
+            this.notifyLinesSaved(result.savedVersions, []);
+            return true;
+        }
+        this.openConflicts(false, updates, orderItemVersions, result.conflicts);
+        await this.loadData(Date.now());
+        return false;
+    }
+
+    async submitDelete(orderItemIds, orderItemVersions) {
+        const result = await deleteOrderItems({ orderItemIds: orderItemIds, orderItemVersions: orderItemVersions });
+        if (result.success) {
+            this.notifyLinesSaved({}, orderItemIds);
+            return true;
+        }
+        this.openConflicts(true, orderItemIds, orderItemVersions, result.conflicts);
+        await this.loadData(Date.now());
+        return false;
+    }
+
+    // Tells the page which lines this save wrote or removed, so it can ignore their change events.
+    notifyLinesSaved(savedVersions, deletedIds) {
+        this.dispatchEvent(new CustomEvent('linessaved', {
+            detail: { savedVersions: savedVersions || {}, deletedIds: deletedIds }
+        }));
+    }
+
+    openConflicts(isDelete, requested, orderItemVersions, conflicts) {
+        const rowsById = new Map(this.orderItems.map(item => [item.id, item]));
+        this.conflictAction = {
+            isDelete: isDelete,
+            requested: requested,
+            versions: orderItemVersions,
+            lines: conflicts.map(conflict => {
+                const row = rowsById.get(conflict.orderItemId);
+                return {
+                    id: conflict.orderItemId,
+                    productName: row ? row.productName : conflict.orderItemId,
+                    yourValue: isDelete ? 'Delete' : String(conflict.requestedQuantity),
+                    currentValue: conflict.isDeleted ? 'Deleted' : String(conflict.currentQuantity),
+                    currentVersion: conflict.currentVersion,
+                    isDeleted: conflict.isDeleted,
+                    choice: conflict.isDeleted ? CONFLICT_USE_CURRENT : CONFLICT_KEEP_MINE
+                };
+            })
+        };
+        this.showConflictModal = true;
+    }
+
+    get conflictLines() {
+        return this.conflictAction ? this.conflictAction.lines : [];
+    }
+
+    get conflictChoices() {
+        return CONFLICT_CHOICES;
+    }
+
+    get conflictMessage() {
+        const verb = this.conflictAction && this.conflictAction.isDelete ? 'deleted' : 'saved';
+        return `These lines were changed by someone else after you loaded them, so nothing was ${verb}. Choose which value to keep for each line.`;
+    }
+
+    handleConflictChoiceChange(event) {
+        const id = event.target.dataset.id;
+        const choice = event.detail.value;
+        this.conflictAction = {
+            ...this.conflictAction,
+            lines: this.conflictAction.lines.map(line => (line.id === id ? { ...line, choice: choice } : line))
+        };
+    }
+
+    handleCancelConflict() {
+        this.showConflictModal = false;
+        this.conflictAction = null;
+    }
+
+    async handleResolveConflicts() {
+        const { isDelete, requested, versions, lines } = this.conflictAction;
+        const orderItemVersions = { ...versions };
+        const dropped = new Set();
+        lines.forEach(line => {
+            if (line.choice === CONFLICT_KEEP_MINE && !line.isDeleted) {
+                orderItemVersions[line.id] = line.currentVersion;
+            } else {
+                dropped.add(line.id);
+                delete orderItemVersions[line.id];
+            }
+        });
+
+        this.showConflictModal = false;
+        this.conflictAction = null;
+        this.isLoading = true;
+
+        try {
+            let saved;
+            if (isDelete) {
+                const orderItemIds = requested.filter(id => !dropped.has(id));
+                saved = orderItemIds.length === 0 || await this.submitDelete(orderItemIds, orderItemVersions);
+            } else {
+                const updates = {};
+                Object.keys(requested).filter(id => !dropped.has(id)).forEach(id => {
+                    updates[id] = requested[id];
+                });
+                saved = Object.keys(updates).length === 0 || await this.submitQuantityUpdates(updates, orderItemVersions);
+            }
+            if (!saved) {
+                return;
+            }
+
+            this.showToast('Success', 'Order lines updated', 'success');
+            this.clearSelection();
+            await this.loadData(Date.now());
+            await this.refreshActivationChecks();
         } catch (error) {
-            this.showToast('Error', 'Failed to delete order item: ' + (error.body?.message || error.message), 'error');
-            console.error('Error deleting order item:', error);
+            this.showToast('Error', 'Failed to save order lines: ' + (error.body?.message || error.message), 'error');
+            console.error('Error resolving order line conflicts:', error);
         } finally {
             this.isLoading = false;
         }
     }
-}
\ No newline at end of file
+}